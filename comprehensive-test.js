@@ -1,6 +1,8 @@
 // comprehensive-test.js - Complete API testing for Notorix
-const fetch = require('node-fetch');
-const API_BASE = 'http://localhost:3001';
+const fetch = globalThis.fetch || require('node-fetch');
+const API_BASE = process.env.API_BASE || 'http://localhost:3001';
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 10000;
+const QUIET = process.env.TEST_QUIET === '1';
 
 // Test data
 const testUsers = [
@@ -19,31 +21,31 @@ const testPosts = [
 async function makeRequest(endpoint, options = {}) {
   try {
     const method = options.method || 'GET';
-    console.log(`\n🔄 Testing: ${method} ${endpoint}`);
+    if (!QUIET) console.log(`\n🔄 Testing: ${method} ${endpoint}`);
     
     const response = await fetch(`${API_BASE}${endpoint}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers
-      },
-      ...options
+      }
     });
     
     const data = await response.json();
     
-    console.log(`✅ Status: ${response.status}`);
-    console.log(`📄 Response:`, JSON.stringify(data, null, 2));
+    if (!QUIET) {
+      console.log(`✅ Status: ${response.status}`);
+      console.log(`📄 Response:`, JSON.stringify(data, null, 2));
+    }
     
     return { status: response.status, data };
   } catch (error) {
-    console.log(`❌ Error:`, error.message);
+    if (!QUIET) console.log(`❌ Error:`, error.message);
     return { error: error.message };
   }
 }
 
-// Delay function
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 // Main test function
 async function runComprehensiveTests() {
   console.log('🚀 Starting Comprehensive Notorix API Test Suite\n');
@@ -54,8 +56,6 @@ async function runComprehensiveTests() {
     console.log('\n📊 TESTING API INFO');
     await makeRequest('/');
     
-    await delay(1000);
-    
     // Test 2: User Registration (Auth)
     console.log('\n👤 TESTING USER REGISTRATION');
     const registeredUsers = [];
@@ -68,11 +68,8 @@ async function runComprehensiveTests() {
       if (result.data && result.data.user) {
         registeredUsers.push(result.data.user);
       }
-      await delay(500);
     }
     
-    await delay(1000);
-    
     // Test 3: User Login (Auth)
     console.log('\n🔐 TESTING USER LOGIN');
     await makeRequest('/auth/login', {
@@ -80,22 +77,16 @@ async function runComprehensiveTests() {
       body: JSON.stringify({ username: 'admin', password: 'admin123' })
     });
     
-    await delay(1000);
-    
     // Test 4: Get All Users
     console.log('\n👥 TESTING GET ALL USERS');
     const usersResult = await makeRequest('/users');
     
-    await delay(1000);
-    
     // Test 5: Get User by ID
     console.log('\n👤 TESTING GET USER BY ID');
     if (registeredUsers.length > 0) {
       await makeRequest(`/users/${registeredUsers[0].id}`);
     }
     
-    await delay(1000);
-    
     // Test 6: Create Posts
     console.log('\n📝 TESTING POST CREATION');
     const createdPosts = [];
@@ -108,33 +99,24 @@ async function runComprehensiveTests() {
       if (result.data && result.data.id) {
         createdPosts.push(result.data);
       }
-      await delay(500);
     }
     
-    await delay(1000);
-    
     // Test 7: Get All Posts
     console.log('\n📖 TESTING GET ALL POSTS');
     await makeRequest('/posts');
     
-    await delay(1000);
-    
     // Test 8: Get Post by ID
     console.log('\n📄 TESTING GET POST BY ID');
     if (createdPosts.length > 0) {
       await makeRequest(`/posts/${createdPosts[0].id}`);
     }
     
-    await delay(1000);
-    
     // Test 9: Get Posts by User
     console.log('\n👤📝 TESTING GET POSTS BY USER');
     if (registeredUsers.length > 0) {
       await makeRequest(`/users/${registeredUsers[0].id}/posts`);
     }
     
-    await delay(1000);
-    
     // Test 10: Update Post
     console.log('\n✏️ TESTING POST UPDATE');
     if (createdPosts.length > 0) {
@@ -147,8 +129,6 @@ async function runComprehensiveTests() {
       });
     }
     
-    await delay(1000);
-    
     // Test 11: Update User
     console.log('\n👤✏️ TESTING USER UPDATE');
     if (registeredUsers.length > 0) {
@@ -158,8 +138,6 @@ async function runComprehensiveTests() {
       });
     }
     
-    await delay(1000);
-    
     // Test 12: Error Handling Tests
     console.log('\n🚫 TESTING ERROR HANDLING');
     
@@ -169,18 +147,12 @@ async function runComprehensiveTests() {
       body: JSON.stringify({ username: 'invalid', password: 'wrong' })
     });
     
-    await delay(500);
-    
     // Non-existent user
     await makeRequest('/users/999');
     
-    await delay(500);
-    
     // Non-existent post
     await makeRequest('/posts/999');
     
-    await delay(500);
-    
     // Invalid post creation
     await makeRequest('/posts', {
       method: 'POST',
@@ -189,9 +161,7 @@ async function runComprehensiveTests() {
     
     console.log('\n🎉 COMPREHENSIVE TEST SUITE COMPLETED!');
     console.log('='.repeat(60));
-    console.log('✅ All endpoints tested successfully');
-    console.log('📊 Users, Posts, and Authentication systems are working');
-    console.log('🔒 Error handling is functioning properly');
+    console.log('📊 Check the statuses above, or run `npm run test:integration` for assertions');
     
   } catch (error) {
     console.error('❌ Test suite failed:', error);
@@ -203,4 +173,4 @@ if (require.main === module) {
   runComprehensiveTests().catch(console.error);
 }
 
-module.exports = { runComprehensiveTests }; 
\ No newline at end of file
+module.exports = { runComprehensiveTests, makeRequest, testUsers, testPosts }; 
\ No newline at end of file
@@ -1,6 +1,8 @@
 // test-api.js - Comprehensive API testing script
-const fetch = require('node-fetch');
-const API_BASE = 'http://localhost:3001';
+const fetch = globalThis.fetch || require('node-fetch');
+const API_BASE = process.env.API_BASE || 'http://localhost:3001';
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 10000;
+const QUIET = process.env.TEST_QUIET === '1';
 
 // Test data
 const testUser = {
@@ -18,24 +20,27 @@ const testUser2 = {
 // Helper function to make requests
 async function makeRequest(endpoint, options = {}) {
   try {
-    console.log(`\n🔄 Testing: ${options.method || 'GET'} ${endpoint}`);
+    if (!QUIET) console.log(`\n🔄 Testing: ${options.method || 'GET'} ${endpoint}`);
     
     const response = await fetch(`${API_BASE}${endpoint}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers
-      },
-      ...options
+      }
     });
     
     const data = await response.json();
     
-    console.log(`✅ Status: ${response.status}`);
-    console.log(`📄 Response:`, JSON.stringify(data, null, 2));
+    if (!QUIET) {
+      console.log(`✅ Status: ${response.status}`);
+      console.log(`📄 Response:`, JSON.stringify(data, null, 2));
+    }
     
     return { status: response.status, data };
   } catch (error) {
-    console.log(`❌ Error:`, error.message);
+    if (!QUIET) console.log(`❌ Error:`, error.message);
     return { error: error.message };
   }
 }
@@ -102,4 +107,4 @@ if (require.main === module) {
   runTests().catch(console.error);
 }
 
-module.exports = { runTests, makeRequest }; 
\ No newline at end of file
+module.exports = { runTests, makeRequest, testUser, testUser2 }; 
\ No newline at end of file
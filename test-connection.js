@@ -1,11 +1,14 @@
 // test-connection.js - Simple connection test
 const http = require('http');
+const API_BASE = new URL(process.env.API_BASE || 'http://localhost:3001');
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 10000;
+const QUIET = process.env.TEST_QUIET === '1';
 
 function testEndpoint(path, data = null) {
   return new Promise((resolve, reject) => {
     const options = {
-      hostname: 'localhost',
-      port: 3001,
+      hostname: API_BASE.hostname,
+      port: API_BASE.port,
       path: path,
       method: data ? 'POST' : 'GET',
       headers: {
@@ -21,19 +24,27 @@ function testEndpoint(path, data = null) {
       res.on('end', () => {
         try {
           const parsed = JSON.parse(responseData);
-          console.log(`✅ ${options.method} ${path} - Status: ${res.statusCode}`);
-          console.log(`📄 Response:`, JSON.stringify(parsed, null, 2));
-          resolve(parsed);
+          if (!QUIET) {
+            console.log(`✅ ${options.method} ${path} - Status: ${res.statusCode}`);
+            console.log(`📄 Response:`, JSON.stringify(parsed, null, 2));
+          }
+          resolve({ status: res.statusCode, data: parsed });
         } catch (e) {
-          console.log(`✅ ${options.method} ${path} - Status: ${res.statusCode}`);
-          console.log(`📄 Raw Response:`, responseData);
-          resolve(responseData);
+          if (!QUIET) {
+            console.log(`✅ ${options.method} ${path} - Status: ${res.statusCode}`);
+            console.log(`📄 Raw Response:`, responseData);
+          }
+          resolve({ status: res.statusCode, data: responseData });
         }
       });
     });
 
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+    });
+
     req.on('error', (err) => {
-      console.log(`❌ ${options.method} ${path} - Error:`, err.message);
+      if (!QUIET) console.log(`❌ ${options.method} ${path} - Error:`, err.message);
       reject(err);
     });
 
@@ -71,11 +82,16 @@ async function runTests() {
     console.log('\n📖 Testing Posts Endpoint...');
     await testEndpoint('/posts');
     
-    console.log('\n🎉 All tests completed successfully!');
+    console.log('\n🎉 Connection test finished - check the statuses above');
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   }
 }
 
-runTests(); 
\ No newline at end of file
+// Only run if this file is executed directly
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests, testEndpoint };
\ No newline at end of file
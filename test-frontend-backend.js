@@ -2,8 +2,9 @@
 const http = require('http');
 
 // Test configurations
-const FRONTEND_URL = 'http://localhost:5173';
-const BACKEND_URL = 'http://localhost:3001';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const BACKEND_URL = process.env.API_BASE || 'http://localhost:3001';
+const REQUEST_TIMEOUT_MS = Number(process.env.REQUEST_TIMEOUT_MS) || 10000;
 
 // Helper function to make HTTP requests
 function makeRequest(url, method = 'GET', data = null) {
@@ -44,6 +45,10 @@ function makeRequest(url, method = 'GET', data = null) {
       });
     });
 
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Request timed out after ${REQUEST_TIMEOUT_MS}ms`));
+    });
+
     req.on('error', (err) => {
       reject(err);
     });
@@ -252,4 +257,4 @@ if (require.main === module) {
   runComprehensiveTest();
 }
 
-module.exports = { runComprehensiveTest }; 
\ No newline at end of file
+module.exports = { runComprehensiveTest, makeRequest, BACKEND_URL, FRONTEND_URL }; 
\ No newline at end of file